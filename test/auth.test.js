@@ -0,0 +1,86 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { resetScanState, configureScope, configureAuth, performLogin, fetchWithTimeout, redactSecrets } from '../webuster.js';
+
+const flags = { headers: [], cookies: [], authHosts: [] };
+
+// a login that hands out short-lived tokens: each one is good for two requests
+async function withApp(fn) {
+  const seen = [];
+  let issued = 0;
+  const valid = new Map();
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', d => { body += d; });
+    req.on('end', () => {
+      seen.push({ host: req.headers.host.split(':')[0], url: req.url, authorization: req.headers.authorization, cookie: req.headers.cookie });
+      if (req.url === '/login') {
+        const form = new URLSearchParams(body);
+        if (form.get('user') !== 'alice' || form.get('password') !== 'p@ss w"rd&+%') return res.writeHead(403).end();
+        const token = `tok-${++issued}-a8f3b2c1`;
+        valid.set(token, 2);
+        return res.writeHead(200, { 'content-type': 'application/json', 'set-cookie': ['session=sess-9f8e7d6c; Path=/; HttpOnly', 'theme=dark; Path=/'] })
+          .end(JSON.stringify({ data: { accessToken: token } }));
+      }
+      const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+      if (!valid.get(token)) return res.writeHead(401).end();
+      valid.set(token, valid.get(token) - 1);
+      res.writeHead(200, { 'content-type': 'application/json' }).end(JSON.stringify({ me: 'alice', token }));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const port = server.address().port;
+  try {
+    await fn(`http://127.0.0.1:${port}/`, `http://localhost:${port}/`, seen);
+  } finally {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+test('a scripted login supplies the bearer token and runs again when it expires', async () => {
+  await withApp(async (base, other, seen) => {
+    resetScanState();
+    await configureScope({ scope: '127.0.0.1,localhost' }, [base]);
+    configureAuth({ ...flags, authConfig: {
+      login: { url: '/login', form: { user: 'alice', password: 'p@ss w"rd&+%' }, token: { path: 'data.accessToken' } }
+    } }, [base]);
+    await performLogin();
+    const bodies = [];
+    for (let i = 0; i < 3; i++) bodies.push(await (await fetchWithTimeout(base + 'api/me')).json());
+    assert.deepEqual(bodies.map(b => b.token), ['tok-1-a8f3b2c1', 'tok-1-a8f3b2c1', 'tok-2-a8f3b2c1']);
+    assert.deepEqual(seen.map(s => s.url), ['/login', '/api/me', '/api/me', '/api/me', '/login', '/api/me']);
+
+    // credentials and cookies stay on the target host
+    await fetchWithTimeout(other + 'api/me');
+    const last = seen[seen.length - 1];
+    assert.deepEqual([last.host, last.authorization, last.cookie], ['localhost', undefined, undefined]);
+
+    const redacted = redactSecrets({ body: 'user=alice&password=p%40ss+w%22rd%26%2B%25', json: '{"password":"p@ss w\\"rd&+%"}', auth: 'Bearer tok-2-a8f3b2c1', cookie: 'session=sess-9f8e7d6c; theme=dark' });
+    assert.deepEqual(redacted, { body: 'user=alice&password=[REDACTED]', json: '{"password":"[REDACTED]"}', auth: 'Bearer [REDACTED]', cookie: 'session=sess-9f8e7d6c; theme=dark' });
+  });
+});
+
+test('configured headers, bearer, basic credentials and cookies are sent and redacted', async () => {
+  await withApp(async (base, other, seen) => {
+    resetScanState();
+    await configureScope({}, [base]);
+    const info = configureAuth({ headers: ['X-Api-Key: key-0a1b2c3d'], cookies: ['session=sess-1234abcd; lang=en'], authHosts: [], basic: 'bob:hunter2-secret' }, [base]);
+    assert.deepEqual(info, { headers: ['X-Api-Key', 'Authorization'], cookies: ['session', 'lang'], hosts: ['127.0.0.1'], login: undefined });
+    await fetchWithTimeout(base + 'api/me');
+    assert.equal(seen[0].authorization, 'Basic ' + Buffer.from('bob:hunter2-secret').toString('base64'));
+    assert.equal(seen[0].cookie, 'session=sess-1234abcd; lang=en');
+    assert.deepEqual(redactSecrets(['key-0a1b2c3d', 'hunter2-secret', 'sess-1234abcd']), ['[REDACTED]', '[REDACTED]', '[REDACTED]']);
+  });
+});
+
+test('a failed login is reported', async () => {
+  await withApp(async base => {
+    resetScanState();
+    await configureScope({}, [base]);
+    configureAuth({ ...flags, authConfig: { login: { url: '/login', form: { user: 'alice', password: 'wrong' }, token: { path: 'data.accessToken' } } } }, [base]);
+    await assert.rejects(performLogin(), { message: `Login to ${base}login failed: HTTP 403` });
+    assert.throws(() => configureAuth({ ...flags, authConfig: { login: {} } }, [base]), /Auth config "login" needs a "url"/);
+  });
+});
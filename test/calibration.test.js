@@ -0,0 +1,34 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { configureScope, probeUrls, calibrationSummary } from '../webuster.js';
+
+const spa = path => `<html><head><title>Acme App</title></head><body><div id="root"></div><!-- ${path} --></body></html>`;
+
+test('probe hits that look like the directory\'s catch-all answer are suppressed', async () => {
+  const server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, 'http://x');
+    if (pathname === '/app/config.json') return res.writeHead(200, { 'content-type': 'application/json' }).end('{"apiUrl":"https://api.example.com"}');
+    // a single-page app: every path under /app/ gets the index page, which mentions the path it was asked for
+    if (pathname.startsWith('/app/')) return res.writeHead(200, { 'content-type': 'text/html' }).end(spa(pathname));
+    if (pathname === '/.env') return res.writeHead(200, { 'content-type': 'text/plain' }).end('DB_HOST=db');
+    res.writeHead(404, { 'content-type': 'text/html' }).end('<title>Not Found</title>');
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}/`;
+  try {
+    await configureScope({}, [base]);
+    const hits = await probeUrls(base, ['/app/config.json', '/app/admin', '/app/.git/HEAD', '/.env', '/backup.zip'], resp => (resp.ok ? { status: resp.status } : null), 2);
+    assert.deepEqual(hits.map(h => h.path).sort(), ['/.env', '/app/config.json']);
+    const env = hits.find(h => h.path === '/.env');
+    const config = hits.find(h => h.path === '/app/config.json');
+    // a 200 where random paths get a 404 stands out more than one next to a catch-all
+    assert.ok(env.confidence > config.confidence, `${env.confidence} vs ${config.confidence}`);
+
+    const summary = calibrationSummary([base]);
+    assert.deepEqual(summary.map(c => [c.prefix.slice(base.length - 1), c.catchAll, c.suppressed]).sort(), [['/', false, 0], ['/app/', true, 1], ['/app/.git/', true, 1]]);
+  } finally {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  }
+});
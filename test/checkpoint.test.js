@@ -0,0 +1,47 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { startCheckpoint, readCheckpoint, finishCheckpoint, detectSecrets, createSecretCollector } from '../webuster.js';
+
+test('the state file keeps the scan settings but no credentials, and a completed scan removes it', t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wb-state-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'scan.state.json');
+  startCheckpoint(file, { depth: 3, rate: 10, bearer: 'tok-123', secretRules: 'rules.json', proxy: 'http://127.0.0.1:8080' }, ['https://a.example.com/', 'https://b.example.com/'], true);
+  const data = readCheckpoint(file);
+  assert.deepEqual([data.version, data.batch, data.targets, data.secretRules], [1, true, ['https://a.example.com/', 'https://b.example.com/'], true]);
+  assert.equal(data.options.depth, 3);
+  assert.equal(data.options.rate, 10);
+  assert.doesNotMatch(fs.readFileSync(file, 'utf8'), /tok-123|rules\.json|8080/);
+
+  finishCheckpoint(false);
+  assert.ok(fs.existsSync(file));
+  startCheckpoint(file, {}, data.targets, true, readCheckpoint(file));
+  finishCheckpoint(true);
+  assert.ok(!fs.existsSync(file));
+});
+
+test('files that are not state files are rejected', t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wb-state-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'results.json');
+  fs.writeFileSync(file, JSON.stringify({ target: 'https://example.com/' }));
+  assert.throws(() => readCheckpoint(file), /is not a WebBuster scan state file/);
+  assert.throws(() => readCheckpoint(path.join(dir, 'missing.json')), /Could not read scan state/);
+});
+
+test('a secret restored from the state file is not reported again when the resumed scan finds it', async () => {
+  const key = 'AKIA2E0A8F3B244C9986';
+  const url = `https://example.com/config.js?key=${key}`;
+  const [found] = detectSecrets(`const accessKey = "${key}";`, url);
+  assert.equal(found.rule, 'aws-access-key-id');
+  assert.notEqual(found.secret, key);
+  // what the state file holds: the same finding, redacted everywhere
+  const restored = { ...found, url: url.split(key).join(found.secret) };
+  const collector = createSecretCollector();
+  collector.addSecrets([restored]);
+  collector.addSecrets([found]);
+  assert.deepEqual(await collector.done(), [restored]);
+});
@@ -0,0 +1,72 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import zlib from 'zlib';
+import { configureScope, crawlSite, extractPageLinks } from '../webuster.js';
+
+const page = (...links) => `<html><body>${links.map(l => `<a href="${l}">x</a>`).join('')}</body></html>`;
+
+const site = {
+  '/': page('/a', '/b#top', 'https://other.test/x', '/app.js', 'mailto:x@example.com'),
+  '/a': page('/a/deep'),
+  '/a/deep': page('/a/deeper'),
+  '/a/deeper': page(),
+  '/b': page(),
+  '/robots.txt': 'User-agent: *\nDisallow: /admin/  # staff only\nAllow: /public*\nSitemap: /sitemap-index.xml\n',
+  '/sitemap-index.xml': '<sitemapindex><sitemap><loc>http://HOST/sitemap-pages.xml.gz</loc></sitemap></sitemapindex>',
+  '/sitemap-pages.xml.gz': '<urlset><url><loc><![CDATA[http://HOST/from-sitemap?a=1&amp;b=2]]></loc></url></urlset>',
+  '/admin/': page(),
+  '/public': 'plain text',
+  '/from-sitemap?a=1&b=2': page()
+};
+
+async function withSite(fn) {
+  const server = http.createServer((req, res) => {
+    let body = site[req.url];
+    if (body === undefined) return res.writeHead(404).end();
+    body = body.replace(/HOST/g, req.headers.host);
+    if (req.url.endsWith('.gz')) body = zlib.gzipSync(body);
+    const type = req.url.endsWith('.txt') || req.url === '/public' ? 'text/plain' : req.url.includes('.xml') ? 'application/xml' : 'text/html';
+    res.writeHead(200, { 'content-type': type }).end(body);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}/`;
+  try {
+    await configureScope({}, [base]);
+    await fn(base);
+  } finally {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+test('links are same-origin navigation targets without fragments or static files', () => {
+  assert.deepEqual(extractPageLinks('<a href="/x#frag">x</a><form action=\'/login\'></form><iframe src=/embed></iframe><a href="/logo.png"></a><a href="javascript:void(0)"></a><a href="https://other.test/">o</a>', 'https://example.com/dir/'),
+    ['https://example.com/x', 'https://example.com/login', 'https://example.com/embed']);
+});
+
+test('the crawl is breadth first, seeded from robots.txt and (gzipped, indexed) sitemaps, and stops at the depth', async () => {
+  await withSite(async base => {
+    const seen = [];
+    const { pages, robots } = await crawlSite(base, { depth: 2, maxPages: 50 }, url => seen.push(url));
+    assert.deepEqual(pages.map(p => [p.url.slice(base.length - 1), p.depth, p.via && p.via.replace(base, '/')]), [
+      ['/', 0, null],
+      ['/public', 1, 'robots.txt'],
+      ['/admin/', 1, 'robots.txt'],
+      ['/from-sitemap?a=1&b=2', 1, 'sitemap'],
+      ['/a', 1, '/'],
+      ['/b', 1, '/'],
+      ['/a/deep', 2, '/a']
+    ]);
+    // only html pages are handed on
+    assert.ok(!seen.some(u => u.endsWith('/public')));
+    assert.deepEqual(robots, { found: true, allow: ['/public'], disallow: ['/admin/'], sitemaps: [base + 'sitemap-index.xml'], sitemapPages: 1 });
+  });
+});
+
+test('depth 0 fetches only the target, and maxPages caps the crawl', async () => {
+  await withSite(async base => {
+    assert.deepEqual((await crawlSite(base, { depth: 0, maxPages: 50 }, () => {})).pages.map(p => p.url), [base]);
+    assert.equal((await crawlSite(base, { depth: 3, maxPages: 3 }, () => {})).pages.length, 3);
+  });
+});
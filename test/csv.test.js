@@ -0,0 +1,33 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { toCsv } from '../webuster.js';
+
+function rowsOf(csv) {
+  return csv.split('\r\n').slice(1, -1);
+}
+
+function findingWithTitle(title) {
+  return { id: 'abc', target: 'https://example.com/', category: 'config', rule: 'config/exposed-file', severity: 'medium', title, url: 'https://example.com/x' };
+}
+
+test('cells that would start a spreadsheet formula are prefixed with a quote', () => {
+  const titles = ['=HYPERLINK("http://evil.test")', '+1+2', '-2+3', '@SUM(A1:A2)', '\tcmd', '\rcmd'];
+  const rows = rowsOf(toCsv(titles.map(findingWithTitle)));
+  assert.deepEqual(rows.map(r => r.split(',')[5]), [
+    '"\'=HYPERLINK(""http://evil.test"")"',
+    '\'+1+2',
+    '\'-2+3',
+    '\'@SUM(A1:A2)',
+    '\'\tcmd',
+    '"\'\rcmd"'
+  ]);
+});
+
+test('plain text, quotes, commas and empty values', () => {
+  const [row] = rowsOf(toCsv([{ ...findingWithTitle('Config file, with "hints"'), location: { line: 3, column: 0 }, confidence: 0.5, evidence: null }]));
+  assert.equal(row, 'abc,https://example.com/,config,config/exposed-file,medium,"Config file, with ""hints""",https://example.com/x,3,0,,0.5,');
+});
+
+test('the header row lists every column', () => {
+  assert.equal(toCsv([]).split('\r\n')[0], 'id,target,category,rule,severity,title,url,line,column,originalSource,confidence,evidence');
+});
@@ -0,0 +1,98 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { diffResults } from '../webuster.js';
+
+function scanOf(target, discovered = {}, findings = []) {
+  return { target, timestamp: '2024-01-01T00:00:00.000Z', discovered, findings };
+}
+
+function finding(id, url) {
+  return { id, category: 'api', severity: 'info', title: 'API endpoint answers 200', url, target: 'https://example.com/' };
+}
+
+test('identical scans are unchanged', () => {
+  const r = scanOf('https://example.com/', { htmlApiCandidates: ['https://example.com/api/users'] });
+  const diff = diffResults(r, structuredClone(r));
+  assert.deepEqual(diff.summary, { added: 0, removed: 0, changed: 0, targetsChanged: 0 });
+  assert.equal(diff.targets['https://example.com/'].status, 'unchanged');
+});
+
+test('two single-target files are paired across hosts and compared by path', () => {
+  const staging = scanOf('https://staging.example.com/', {
+    htmlApiCandidates: ['https://staging.example.com/api/users', 'https://staging.example.com/api/debug'],
+    apiProbes: [{ url: 'https://staging.example.com/api/users', check: { status: 200 } }]
+  });
+  const production = scanOf('https://www.example.com/', {
+    htmlApiCandidates: ['https://www.example.com/api/users', 'https://www.example.com/api/orders'],
+    apiProbes: [{ url: 'https://www.example.com/api/users', check: { status: 401 } }]
+  });
+  const diff = diffResults(staging, production);
+  const t = diff.targets['https://staging.example.com/ -> https://www.example.com/'];
+  assert.equal(t.status, 'changed');
+  assert.deepEqual(t.endpoints, { added: ['/api/orders'], removed: ['/api/debug'] });
+  assert.deepEqual(t.statusChanges, [{ url: '/api/users', from: 200, to: 401 }]);
+  assert.deepEqual(t.respondingEndpoints, { added: [], removed: [] });
+  assert.deepEqual(diff.summary, { added: 1, removed: 1, changed: 1, targetsChanged: 1 });
+});
+
+test('findings are matched by id', () => {
+  const before = scanOf('https://example.com/', {}, [finding('a1', 'https://example.com/api/a'), finding('b2', 'https://example.com/api/b')]);
+  const after = scanOf('https://example.com/', {}, [finding('b2', 'https://example.com/api/b'), finding('c3', 'https://example.com/api/c')]);
+  const { findings } = diffResults(before, after).targets['https://example.com/'];
+  assert.deepEqual(findings.added.map(f => [f.id, f.url]), [['c3', '/api/c']]);
+  assert.deepEqual(findings.removed.map(f => [f.id, f.url]), [['a1', '/api/a']]);
+});
+
+test('finding ids do not depend on the host, so environments can be compared', () => {
+  const probe = host => ({ url: `https://${host}/api/users`, check: { status: 200, ct: 'application/json' } });
+  const staging = { target: 'https://staging.example.com/', discovered: { apiProbes: [probe('staging.example.com')] } };
+  const production = { target: 'https://www.example.com/', discovered: { apiProbes: [probe('www.example.com'), { url: 'https://www.example.com/api/orders', check: { status: 200 } }] } };
+  const { findings } = diffResults(staging, production).targets['https://staging.example.com/ -> https://www.example.com/'];
+  assert.deepEqual(findings.added.map(f => f.url), ['/api/orders']);
+  assert.deepEqual(findings.removed, []);
+});
+
+test('spec changes list added, removed and modified operations and the version', () => {
+  const spec = (version, operations) => ({ specs: [{ url: 'https://example.com/openapi.json', version, operations }] });
+  const before = scanOf('https://example.com/', spec('1.0', [
+    { method: 'GET', path: '/users', parameters: [{ in: 'query', name: 'page', required: false }] },
+    { method: 'DELETE', path: '/users/{id}' }
+  ]));
+  const after = scanOf('https://example.com/', spec('1.1', [
+    { method: 'GET', path: '/users', parameters: [{ in: 'query', name: 'page', required: true }] },
+    { method: 'POST', path: '/users' }
+  ]));
+  const { specs } = diffResults(before, after).targets['https://example.com/'];
+  assert.deepEqual(specs, {
+    added: [],
+    removed: [],
+    changed: [{
+      url: '/openapi.json',
+      version: { from: '1.0', to: '1.1' },
+      operations: { added: ['POST /users'], removed: ['DELETE /users/{id}'], changed: ['GET /users'] }
+    }]
+  });
+});
+
+test('batch documents pair targets by URL and report added, removed and failed ones', () => {
+  const before = { timestamp: 't1', targets: {
+    'https://a.example.com/': scanOf('https://a.example.com/'),
+    'https://b.example.com/': scanOf('https://b.example.com/'),
+    'https://c.example.com/': scanOf('https://c.example.com/')
+  } };
+  const after = { timestamp: 't2', targets: {
+    'https://a.example.com/': scanOf('https://a.example.com/'),
+    'https://c.example.com/': { target: 'https://c.example.com/', error: 'connect ECONNREFUSED' },
+    'https://d.example.com/': scanOf('https://d.example.com/')
+  } };
+  const diff = diffResults(before, after);
+  assert.deepEqual(Object.fromEntries(Object.entries(diff.targets).map(([t, r]) => [t, r.status])), {
+    'https://a.example.com/': 'unchanged',
+    'https://b.example.com/': 'removed',
+    'https://c.example.com/': 'error',
+    'https://d.example.com/': 'added'
+  });
+  assert.equal(diff.targets['https://c.example.com/'].error, 'connect ECONNREFUSED');
+  assert.equal(diff.summary.targetsChanged, 3);
+  assert.deepEqual(diff.old, { timestamp: 't1', targets: ['https://a.example.com/', 'https://b.example.com/', 'https://c.example.com/'] });
+});
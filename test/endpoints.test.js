@@ -0,0 +1,33 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { extractEndpoints } from '../webuster.js';
+
+const summary = endpoints => endpoints.map(({ method, template, base, queryParams, bodyKeys }) => ({ method, template, base, queryParams, bodyKeys }));
+
+test('fetch, axios and ky calls become path templates with method, query and body keys', () => {
+  const js = [
+    'fetch(`/api/users/${user.id}/orders?page=${page}`, { method: "POST", body: JSON.stringify({ sku, qty: 1 }) });',
+    'axios.put(API_URL + "/v2/items/" + encodeURIComponent(item.slug), { name, price });',
+    'apiClient.get("/api/search", { params: { q, limit: 10 } });',
+    'ky.post(`/api/login`, { json: { username, password } });',
+    'axios({ url: "/api/report", method: "delete" });'
+  ].join('\n');
+  assert.deepEqual(summary(extractEndpoints(js)), [
+    { method: 'POST', template: '/api/users/{id}/orders', base: null, queryParams: ['page'], bodyKeys: ['sku', 'qty'] },
+    { method: 'PUT', template: '/v2/items/{slug}', base: 'API_URL', queryParams: [], bodyKeys: ['name', 'price'] },
+    { method: 'GET', template: '/api/search', base: null, queryParams: ['q', 'limit'], bodyKeys: [] },
+    { method: 'POST', template: '/api/login', base: null, queryParams: [], bodyKeys: ['username', 'password'] },
+    { method: 'DELETE', template: '/api/report', base: null, queryParams: [], bodyKeys: [] }
+  ]);
+  assert.deepEqual(extractEndpoints(js).map(e => [e.line, e.column]), [[1, 1], [2, 1], [3, 1], [4, 1], [5, 1]]);
+});
+
+test('API-looking template literals outside calls are kept, a leading ${expr} being their base', () => {
+  const js = 'const a = `${host}/api/v1/things/${slug}`;\nconst b = `${API_BASE}/api/v2/users`;\nconst c = `https://api.example.com/v1/orders/${id}`;\n' +
+    'const d = `${greeting}, ${name}/x`;\nconst e = `/static/${file}`;';
+  assert.deepEqual(summary(extractEndpoints(js)), [
+    { method: null, template: '/api/v1/things/{slug}', base: 'host', queryParams: [], bodyKeys: [] },
+    { method: null, template: '/api/v2/users', base: 'API_BASE', queryParams: [], bodyKeys: [] },
+    { method: null, template: 'https://api.example.com/v1/orders/{id}', base: null, queryParams: [], bodyKeys: [] }
+  ]);
+});
@@ -0,0 +1,70 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { configureScope, detectGraphql, schemaToSdl } from '../webuster.js';
+
+function json(res, status, body) {
+  res.writeHead(status, { 'content-type': 'application/json' }).end(JSON.stringify(body));
+}
+
+test('only GraphQL-specific answers mark an endpoint as GraphQL', async () => {
+  const server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, 'http://x');
+    if (pathname === '/graphql') return json(res, 200, { data: { __typename: 'Query' } });
+    // GET-only server that rejects the POST body with its own error
+    if (pathname === '/gql') {
+      if (req.method === 'GET') return json(res, 200, { data: { __typename: 'RootQuery' } });
+      return json(res, 400, { errors: [{ message: 'Must provide query string.' }] });
+    }
+    if (pathname === '/api/graphql') return json(res, 400, { errors: [{ message: 'Cannot query field "__typename" on type "Query".' }] });
+    // REST APIs that share the error envelope
+    if (pathname === '/query') return json(res, 400, { errors: [{ message: 'Invalid request' }] });
+    if (pathname === '/v1/graphql') return json(res, 200, { data: { items: [] } });
+    json(res, 404, { errors: [{ message: 'Cannot query field: route not found, see GraphQL docs' }] });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  try {
+    await configureScope({}, [base + '/']);
+    assert.deepEqual(await detectGraphql(base + '/graphql'), { url: base + '/graphql', methods: ['POST', 'GET'], queryType: 'Query', ide: null });
+    assert.deepEqual((await detectGraphql(base + '/gql')).methods, ['GET']);
+    assert.deepEqual((await detectGraphql(base + '/api/graphql')).methods, []);
+    assert.equal(await detectGraphql(base + '/query'), null);
+    assert.equal(await detectGraphql(base + '/v1/graphql'), null);
+    assert.equal(await detectGraphql(base + '/missing'), null);
+  } finally {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  }
+});
+
+test('introspection results are written as SDL', () => {
+  const named = name => ({ kind: 'SCALAR', name });
+  const nonNull = ofType => ({ kind: 'NON_NULL', ofType });
+  const sdl = schemaToSdl({
+    queryType: { name: 'Query' },
+    mutationType: { name: 'Mutation' },
+    directives: [{ name: 'include', locations: ['FIELD'], args: [] }],
+    types: [
+      { kind: 'OBJECT', name: 'Query', fields: [
+        { name: 'user', description: 'Look up a user', args: [{ name: 'id', type: nonNull(named('ID')) }], type: { kind: 'OBJECT', name: 'User' } },
+        { name: 'users', args: [], type: nonNull({ kind: 'LIST', ofType: { kind: 'OBJECT', name: 'User' } }), isDeprecated: true, deprecationReason: 'use search' }
+      ] },
+      { kind: 'OBJECT', name: 'Mutation', fields: [{ name: 'login', args: [{ name: 'input', type: nonNull({ kind: 'INPUT_OBJECT', name: 'LoginInput' }) }], type: named('String') }] },
+      { kind: 'OBJECT', name: 'User', interfaces: [{ name: 'Node' }], fields: [{ name: 'id', args: [], type: nonNull(named('ID')) }, { name: 'role', args: [], type: { kind: 'ENUM', name: 'Role' } }] },
+      { kind: 'INTERFACE', name: 'Node', fields: [{ name: 'id', args: [], type: nonNull(named('ID')) }] },
+      { kind: 'INPUT_OBJECT', name: 'LoginInput', inputFields: [{ name: 'remember', type: named('Boolean'), defaultValue: 'false' }] },
+      { kind: 'ENUM', name: 'Role', enumValues: [{ name: 'ADMIN' }, { name: 'USER' }] },
+      { kind: 'SCALAR', name: 'String' },
+      { kind: 'OBJECT', name: '__Schema', fields: [] }
+    ]
+  });
+  assert.equal(sdl, [
+    'type Query {\n  """Look up a user"""\n  user(id: ID!): User\n  users: [User]! @deprecated(reason: "use search")\n}',
+    'type Mutation {\n  login(input: LoginInput!): String\n}',
+    'type User implements Node {\n  id: ID!\n  role: Role\n}',
+    'interface Node {\n  id: ID!\n}',
+    'input LoginInput {\n  remember: Boolean = false\n}',
+    'enum Role {\n  ADMIN\n  USER\n}'
+  ].join('\n\n') + '\n');
+});
@@ -0,0 +1,64 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { synthesizeOpenApi } from '../webuster.js';
+
+const results = {
+  target: 'https://app.example.com/',
+  timestamp: '2026-01-01T00:00:00Z',
+  discovered: {
+    suggestedApiBases: ['https://app.example.com/api/v1'],
+    endpoints: [
+      { method: 'POST', template: '/api/v1/users/{id}/orders', bases: [], queryParams: ['page'], bodyKeys: ['sku', 'qty'], sources: [{ type: 'script', url: 'https://app.example.com/main.js', line: 12 }] },
+      { method: null, template: '/v2/items', bases: ['API_URL'], queryParams: [], bodyKeys: [], sources: [] }
+    ],
+    browserRequests: [{
+      method: 'GET', url: 'https://app.example.com/api/v1/users/42/orders?page=2', status: 200, contentType: 'application/json; charset=utf-8',
+      responseSchema: { type: 'array', items: { type: 'object', properties: { id: { type: 'integer' } } } }, page: 'https://app.example.com/', trigger: 'load', requestHeaders: {}
+    }],
+    apiProbes: [{ url: 'https://app.example.com/api/v1/health', check: { status: 200, ct: 'application/json', schema: { type: 'object', properties: { ok: { type: 'boolean' } } } } }],
+    endpointProfiles: [{ url: 'https://app.example.com/api/v1/health', methods: { GET: 200 }, allow: ['GET', 'HEAD', 'OPTIONS', 'DELETE'] }],
+    htmlApiCandidates: ['/api/v1/status', 'https://app.example.com/api/v1/health'],
+    dynamicRequests: [],
+    specs: []
+  }
+};
+
+test('observations are merged into one OpenAPI document per target', () => {
+  const api = synthesizeOpenApi(results);
+  assert.equal(api.openapi, '3.0.3');
+  assert.equal(api.info.title, 'app.example.com (reconstructed)');
+  assert.deepEqual(api.servers, [{ url: 'https://app.example.com/api/v1' }, { url: 'https://app.example.com' }]);
+  assert.deepEqual(Object.keys(api.paths), ['/health', '/status', '/users/{id}/orders', '/v2/items']);
+  assert.deepEqual(Object.fromEntries(Object.entries(api.paths).map(([p, item]) => [p, Object.keys(item).filter(k => !['servers', 'parameters'].includes(k))])), {
+    '/health': ['get', 'delete'], '/status': ['get'], '/users/{id}/orders': ['get', 'post'], '/v2/items': ['get']
+  });
+});
+
+test('call sites, browser traffic and probes each add what they saw', () => {
+  const { paths } = synthesizeOpenApi(results);
+  const orders = paths['/users/{id}/orders'];
+  assert.deepEqual(orders.parameters, [{ name: 'id', in: 'path', required: true, schema: { type: 'string' } }]);
+  assert.deepEqual(orders.get.parameters, [{ name: 'page', in: 'query', required: false, schema: { type: 'integer' } }]);
+  assert.deepEqual(orders.get.responses['200'].content['application/json'].schema.items.properties, { id: { type: 'integer' } });
+  assert.deepEqual(orders.post.requestBody, { content: { 'application/json': { schema: { type: 'object', properties: { sku: {}, qty: {} } } } } });
+  assert.deepEqual(orders.post['x-webuster-sources'], ['https://app.example.com/main.js:12']);
+
+  assert.deepEqual(paths['/health'].get['x-webuster-evidence'], ['allow-header', 'candidate', 'probe', 'profile']);
+  assert.deepEqual(paths['/health'].delete.responses, { default: { description: 'No response observed' } });
+  // a GET is only guessed for paths nothing gave a method for
+  assert.equal(paths['/status'].get['x-webuster-method-guessed'], true);
+  assert.equal(paths['/health'].get['x-webuster-method-guessed'], undefined);
+  // an expression base cannot be resolved: the template stays on the target's origin
+  assert.deepEqual(paths['/v2/items'].servers, [{ url: 'https://app.example.com' }]);
+  assert.deepEqual(paths['/v2/items'].get['x-webuster-base-expressions'], ['API_URL']);
+});
+
+test('what pivots observed joins the target\'s document', () => {
+  const api = synthesizeOpenApi({
+    target: 'https://app.example.com/',
+    discovered: {},
+    pivots: [{ target: 'https://api.example.com/', discovered: { suggestedApiBases: ['https://api.example.com/v3/'], apiProbes: [{ url: 'https://api.example.com/v3/accounts/7f1c2a3e-9b4d-4c5e-8f6a-1b2c3d4e5f60' }] } }]
+  });
+  assert.deepEqual(api.servers, [{ url: 'https://api.example.com/v3' }]);
+  assert.deepEqual(api.paths['/accounts/{accountId}'].parameters, [{ name: 'accountId', in: 'path', required: true, schema: { type: 'string', format: 'uuid' } }]);
+});
@@ -0,0 +1,56 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { configureScope, suggestApiBases, pivotHops, pivotTree, pivotChainText } from '../webuster.js';
+
+async function hops(results, seen) {
+  const out = [];
+  for await (const hop of pivotHops(results, seen)) out.push(hop);
+  return out;
+}
+
+test('suggested bases record the first reason they came up for', () => {
+  const discovered = {
+    configFiles: [
+      { url: 'https://app.example.com/config.json', check: { hints: ['https://api.example.com/v2', '/internal/'] } },
+      { source: 'https://app.example.com/main.js', hints: ['https://api.example.com/v2'] }
+    ],
+    apiProbes: [{ url: 'https://app.example.com/api/users' }],
+    swaggerProbes: [{ url: 'https://docs.example.com/v3/api-docs' }]
+  };
+  assert.deepEqual(suggestApiBases({ discovered }, 'https://app.example.com/'), {
+    suggestedApiBases: ['https://api.example.com/', 'https://app.example.com/internal/', 'https://app.example.com/', 'https://docs.example.com/v3/'],
+    suggestedApiBaseSources: {
+      'https://api.example.com/': { via: 'config-hint', source: 'https://app.example.com/config.json' },
+      'https://app.example.com/internal/': { via: 'config-hint', source: 'https://app.example.com/config.json' },
+      'https://app.example.com/': { via: 'api-probe', source: 'https://app.example.com/api/users' },
+      'https://docs.example.com/v3/': { via: 'swagger-probe', source: 'https://docs.example.com/v3/api-docs' }
+    }
+  });
+});
+
+test('pivots skip bases already scanned and out of scope, and stop at MAX_PIVOTS', async () => {
+  await configureScope({}, ['https://app.example.com/']);
+  const bases = ['https://app.example.com/', 'https://cdn.other.test/', 'https://api.example.com/v1',
+    ...Array.from({ length: 15 }, (_, i) => `https://api${i}.example.com/`)];
+  const results = {
+    target: 'https://app.example.com/',
+    discovered: { suggestedApiBases: bases, suggestedApiBaseSources: Object.fromEntries(bases.map(b => [b, { via: 'config-hint', source: 'https://app.example.com/env.js' }])) }
+  };
+  const seen = new Set([results.target]);
+  const found = await hops(results, seen);
+  assert.equal(found.length, 10);
+  assert.deepEqual(found[0], { from: 'https://app.example.com/', base: 'https://api.example.com/v1/', via: 'config-hint', source: 'https://app.example.com/env.js' });
+  assert.equal(found[9].base, 'https://api8.example.com/');
+  // the budget is shared with the next levels
+  assert.deepEqual(await hops({ ...results, target: 'https://api.example.com/v1/' }, seen), []);
+});
+
+test('pivot chains read from the target to the last hop', () => {
+  const chain = [
+    { from: 'https://app.example.com/', base: 'https://api.example.com/', via: 'config-hint', source: 'https://app.example.com/config.json' },
+    { from: 'https://api.example.com/', base: 'https://api.example.com/v2/', via: 'swagger-probe', source: 'https://api.example.com/v2/openapi.json' }
+  ];
+  assert.equal(pivotChainText(chain), 'https://app.example.com/ -> https://api.example.com/ (config-hint: https://app.example.com/config.json) -> https://api.example.com/v2/ (swagger-probe: https://api.example.com/v2/openapi.json)');
+  const tree = { target: 'a', pivots: [{ target: 'b', pivots: [{ target: 'c' }] }, { target: 'd' }] };
+  assert.deepEqual(pivotTree(tree).map(r => r.target), ['a', 'b', 'c', 'd']);
+});
@@ -0,0 +1,66 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { configureScope, fetchWithTimeout, requestLimits, retryAfterMs, requestStatsSnapshot } from '../webuster.js';
+
+// a fresh server (so a fresh host:port and host state) answering with handler(request number)
+async function withServer(handler, fn) {
+  let n = 0;
+  const server = http.createServer((req, res) => handler(n++, res));
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const host = `127.0.0.1:${server.address().port}`;
+  try {
+    await configureScope({}, [`http://${host}/`]);
+    await fn(`http://${host}/`, host);
+  } finally {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+test('Retry-After is read as seconds or as an HTTP date', () => {
+  const resp = value => ({ headers: new Headers(value ? { 'Retry-After': value } : {}) });
+  assert.equal(retryAfterMs(resp('7')), 7000);
+  assert.equal(retryAfterMs(resp()), null);
+  assert.equal(retryAfterMs(resp('soon')), null);
+  assert.equal(retryAfterMs(resp(new Date(Date.now() - 5000).toUTCString())), 0);
+  const ms = retryAfterMs(resp(new Date(Date.now() + 60000).toUTCString()));
+  assert.ok(ms > 58000 && ms <= 60000, String(ms));
+});
+
+test('the token bucket spends the burst at once, then holds each host to its rate', async () => {
+  Object.assign(requestLimits, { rate: 5, burst: 2 });
+  await withServer((i, res) => res.end('ok'), async base => {
+    const started = Date.now();
+    const times = [];
+    for (let i = 0; i < 5; i++) {
+      await (await fetchWithTimeout(base)).text();
+      times.push(Date.now() - started);
+    }
+    assert.ok(times[1] < 150, times.join(', '));
+    // three more tokens at 5 per second
+    assert.ok(times[4] >= 550, times.join(', '));
+  });
+});
+
+test('429 waits for Retry-After and retries, slowing the host down', async () => {
+  Object.assign(requestLimits, { rate: 50, burst: 10, retries: 3 });
+  await withServer((i, res) => (i === 0 ? res.writeHead(429, { 'Retry-After': '1' }).end() : res.end('ok')), async (base, host) => {
+    const started = Date.now();
+    const resp = await fetchWithTimeout(base);
+    assert.equal(resp.status, 200);
+    assert.ok(Date.now() - started >= 950, String(Date.now() - started));
+    const stats = requestStatsSnapshot([host])[host];
+    assert.deepEqual([stats.requests, stats.throttled, stats.retries, stats.slowdowns, stats.finalRate], [2, 1, 1, 1, 25]);
+  });
+});
+
+test('a Retry-After longer than five minutes stops requests to the host', async () => {
+  Object.assign(requestLimits, { rate: 50, burst: 10, retries: 3 });
+  await withServer((i, res) => res.writeHead(503, { 'Retry-After': '3600' }).end(), async (base, host) => {
+    const resp = await fetchWithTimeout(base);
+    assert.equal(resp.status, 503);
+    await assert.rejects(fetchWithTimeout(base), { name: 'ScanBlockedError', message: `${host} appears to be blocking the scan (Retry-After of 3600s); stopping requests to it.` });
+    assert.equal(requestStatsSnapshot([host])[host].requests, 1);
+  });
+});
@@ -0,0 +1,121 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { configureScope, checkScope, fetchWithTimeout } from '../webuster.js';
+
+test('default scope is the target\'s site', async () => {
+  await configureScope({}, ['https://app.example.com/']);
+  assert.equal(await checkScope('https://api.example.com/v1/'), null);
+  assert.equal(await checkScope('https://example.com/'), null);
+  assert.match(await checkScope('https://cdn.other.test/app.js'), /not on the site of app\.example\.com/);
+});
+
+test('tenants of a shared hosting domain are different sites', async () => {
+  await configureScope({}, ['https://acme.github.io/']);
+  assert.equal(await checkScope('https://docs.acme.github.io/api'), null);
+  assert.match(await checkScope('https://evil.github.io/api/x'), /not on the site of acme\.github\.io/);
+  assert.ok(await checkScope('https://github.io/'));
+
+  for (const [target, other] of [
+    ['https://acme.s3.amazonaws.com/', 'https://other-bucket.s3.amazonaws.com/'],
+    ['https://acme.s3.eu-west-1.amazonaws.com/', 'https://other.s3.eu-west-1.amazonaws.com/'],
+    ['https://acme.herokuapp.com/', 'https://other.herokuapp.com/'],
+    ['https://acme.vercel.app/', 'https://other.vercel.app/'],
+    ['https://acme.azurewebsites.net/', 'https://other.azurewebsites.net/']
+  ]) {
+    await configureScope({}, [target]);
+    assert.equal(await checkScope(target + 'api'), null, target);
+    assert.ok(await checkScope(other + 'api'), other);
+  }
+});
+
+test('wildcard host rules cover the domain and its subdomains only', async () => {
+  await configureScope({ scope: ['*.example.com'] }, ['https://app.example.com/']);
+  assert.equal(await checkScope('https://example.com/'), null);
+  assert.equal(await checkScope('https://deep.api.example.com/x'), null);
+  assert.equal(await checkScope('https://notexample.com/'), 'matches no --scope rule');
+  assert.equal(await checkScope('https://example.com.evil.test/'), 'matches no --scope rule');
+});
+
+test('host rules can pin the scheme, port and a path prefix', async () => {
+  await configureScope({ scope: 'https://api.example.com:8443/v2/' }, ['https://api.example.com:8443/v2/']);
+  assert.equal(await checkScope('https://api.example.com:8443/v2/users'), null);
+  assert.equal(await checkScope('http://api.example.com:8443/v2/users'), 'matches no --scope rule');
+  assert.equal(await checkScope('https://api.example.com/v2/users'), 'matches no --scope rule');
+  assert.equal(await checkScope('https://api.example.com:8443/v1/users'), 'matches no --scope rule');
+});
+
+test('IPv4 CIDR rules match the address', async () => {
+  await configureScope({ scope: '10.0.0.0/8,192.168.1.0/24' }, ['http://10.1.2.3/']);
+  assert.equal(await checkScope('http://10.200.0.1:8080/api'), null);
+  assert.equal(await checkScope('http://192.168.1.254/'), null);
+  assert.equal(await checkScope('http://192.168.2.1/'), 'matches no --scope rule');
+  assert.equal(await checkScope('http://11.0.0.1/'), 'matches no --scope rule');
+  await assert.rejects(configureScope({ scope: '10.0.0.0/33' }, ['http://10.1.2.3/']), /Invalid CIDR range/);
+});
+
+test('excludes win over the default scope and over --scope rules', async () => {
+  await configureScope({ scopeExclude: ['/logout', 'pay.example.com'] }, ['https://app.example.com/']);
+  assert.equal(await checkScope('https://app.example.com/logout'), 'excluded by /logout');
+  assert.equal(await checkScope('https://api.example.com/logout/all'), 'excluded by /logout');
+  assert.equal(await checkScope('https://pay.example.com/checkout'), 'excluded by pay.example.com');
+  assert.equal(await checkScope('https://app.example.com/login'), null);
+
+  await configureScope({ scope: '*.example.com', scopeExclude: 'admin.example.com/delete' }, ['https://app.example.com/']);
+  assert.equal(await checkScope('https://admin.example.com/delete/7'), 'excluded by admin.example.com/delete');
+  assert.equal(await checkScope('https://admin.example.com/users'), null);
+});
+
+test('targets must be in scope, and out-of-scope URLs are recorded on the target', async () => {
+  await assert.rejects(configureScope({ scope: 'api.example.com' }, ['https://app.example.com/']), /outside the scan scope/);
+  await assert.rejects(configureScope({ scopeExclude: 'app.example.com' }, ['https://app.example.com/']), /outside the scan scope/);
+
+  await configureScope({}, ['https://app.example.com/']);
+  const ctx = { target: 'https://app.example.com/', outOfScope: new Map() };
+  await checkScope('https://tracker.test/pixel.gif?id=1', 'probe', ctx);
+  await checkScope('https://tracker.test/pixel.gif?id=2', 'probe', ctx);
+  await checkScope('https://app.example.com/api', 'probe', ctx);
+  assert.deepEqual(Array.from(ctx.outOfScope.values()), [
+    { url: 'https://tracker.test/pixel.gif?id=1', reason: 'not on the site of app.example.com', via: 'probe' }
+  ]);
+});
+
+test('redirects are followed hop by hop and stop where they leave the scope', async () => {
+  const seen = [];
+  const server = http.createServer((req, res) => {
+    seen.push(`${req.headers.host} ${req.url}`);
+    const port = server.address().port;
+    const to = {
+      '/hop': '/ok',
+      '/leave': `http://localhost:${port}/secret`,
+      '/chain': '/leave',
+      '/excluded': '/logout'
+    }[req.url];
+    if (to) res.writeHead(302, { location: to }).end();
+    else res.writeHead(200, { 'content-type': 'text/plain' }).end('ok');
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  try {
+    await configureScope({ scope: '127.0.0.1', scopeExclude: '/logout' }, [base + '/']);
+
+    const followed = await fetchWithTimeout(base + '/hop');
+    assert.equal(followed.status, 200);
+    assert.equal(followed.url, base + '/ok');
+    assert.equal(followed.redirected, true);
+
+    // the 3xx that points out of scope is what the caller gets; its Location is never requested
+    const left = await fetchWithTimeout(base + '/chain');
+    assert.equal(left.status, 302);
+    assert.equal(left.headers.get('location'), `http://localhost:${server.address().port}/secret`);
+
+    const excluded = await fetchWithTimeout(base + '/excluded');
+    assert.equal(excluded.status, 302);
+
+    assert.ok(!seen.some(s => s.startsWith('localhost') || s.endsWith('/secret') || s.endsWith('/logout')), seen.join(', '));
+    await assert.rejects(fetchWithTimeout(`http://localhost:${server.address().port}/secret`), { name: 'OutOfScopeError' });
+  } finally {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  }
+});
@@ -0,0 +1,44 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { extractInlineScripts, extractPreloadScripts, findScriptReferences, manifestScripts } from '../webuster.js';
+
+test('inline scripts and preloaded scripts are read from the page', () => {
+  const html = '<script src="/a.js"></script><script>window.x=1</script><script type="application/json">{"a":1}</script>' +
+    '<script type="module">import "./m.js"</script><link rel="modulepreload" href="/assets/vendor.js">' +
+    '<link rel="preload" as="script" href="/b.js?v=1&amp;x=2"><link rel="preload" as="style" href="/c.css"><link rel="prefetch" href="/d.js">';
+  assert.deepEqual(extractInlineScripts(html), ['window.x=1', 'import "./m.js"']);
+  assert.deepEqual(extractPreloadScripts(html, 'https://example.com/app/'), ['https://example.com/assets/vendor.js', 'https://example.com/b.js?v=1&x=2', 'https://example.com/d.js']);
+});
+
+test('webpack 5 and webpack 4 chunk maps are expanded into chunk URLs', () => {
+  const wp5 = 'r.p="/static/";r.u=e=>"js/"+({12:"about",7:"admin"}[e]||e)+"."+{7:"aa11",12:"bb22",40:"cc33"}[e]+".chunk.js";import("./lazy.js");';
+  assert.deepEqual(findScriptReferences(wp5, 'https://example.com/static/js/main.js'), [
+    { url: 'https://example.com/static/js/lazy.js', via: 'import' },
+    { url: 'https://example.com/static/js/admin.aa11.chunk.js', via: 'webpack-chunk' },
+    { url: 'https://example.com/static/js/about.bb22.chunk.js', via: 'webpack-chunk' },
+    { url: 'https://example.com/static/js/40.cc33.chunk.js', via: 'webpack-chunk' }
+  ]);
+  // no literal public path: the chunks sit under the folder the script's own path shares with them
+  const wp4 = 'function jsonpScriptSrc(e){return a.p+"static/js/"+({}[e]||e)+"."+{0:"1a2b",1:"3c4d"}[e]+".chunk.js"}';
+  assert.deepEqual(findScriptReferences(wp4, 'https://example.com/app/static/js/runtime.js').map(r => r.url), [
+    'https://example.com/app/static/js/0.1a2b.chunk.js', 'https://example.com/app/static/js/1.3c4d.chunk.js'
+  ]);
+});
+
+test('Next.js and Vite chunk lists are resolved against their bases', () => {
+  assert.deepEqual(findScriptReferences('self.__BUILD_MANIFEST={"/about":["static/chunks/pages/about-1a2b.js"]}', 'https://example.com/_next/static/abc/_buildManifest.js'),
+    [{ url: 'https://example.com/_next/static/chunks/pages/about-1a2b.js', via: 'next-manifest' }]);
+  assert.deepEqual(findScriptReferences('const __vite__mapDeps=(i,m=__vite__mapDeps,d=(m.f||(m.f=["assets/Foo-1.js","assets/Bar-2.js"])))=>i.map(i=>d[i]);', 'https://example.com/assets/index.js'), [
+    { url: 'https://example.com/assets/Foo-1.js', via: 'vite-preload' },
+    { url: 'https://example.com/assets/Bar-2.js', via: 'vite-preload' }
+  ]);
+});
+
+test('asset manifests of CRA, Vite and Next.js list their scripts once', () => {
+  assert.deepEqual(manifestScripts({ files: { 'main.js': '/static/js/main.1.js', 'main.css': '/static/css/x.css' }, entrypoints: ['static/js/main.1.js'] }, 'https://example.com/asset-manifest.json'),
+    ['https://example.com/static/js/main.1.js']);
+  assert.deepEqual(manifestScripts({ 'src/main.ts': { file: 'assets/main-1.js', imports: ['_vendor.js'] } }, 'https://example.com/app/.vite/manifest.json'),
+    ['https://example.com/app/assets/main-1.js', 'https://example.com/app/_vendor.js']);
+  assert.deepEqual(manifestScripts({ pages: { '/': ['static/chunks/pages/index-1.js'] } }, 'https://example.com/_next/build-manifest.json'),
+    ['https://example.com/_next/static/chunks/pages/index-1.js']);
+});
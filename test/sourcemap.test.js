@@ -0,0 +1,52 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { configureScope, readBodyCapped, findSourceMapRef, fetchSourceMap, sourceMapFiles } from '../webuster.js';
+
+const map = { version: 3, sources: ['src/app.ts', 'webpack:///./node_modules/x.js'], sourceRoot: '/repo', sourcesContent: ['const key = 1;', null], mappings: '' };
+
+test('source maps are located by header first, then by the last sourceMappingURL comment', () => {
+  const resp = headers => ({ headers: new Headers(headers) });
+  const js = 'a();\n//# sourceMappingURL=old.js.map\nb();\n//# sourceMappingURL=app.js.map\n';
+  assert.deepEqual(findSourceMapRef(resp({ SourceMap: '/maps/app.map' }), js, 'https://example.com/js/app.js'), { url: 'https://example.com/maps/app.map', via: 'header' });
+  assert.deepEqual(findSourceMapRef(resp({}), js, 'https://example.com/js/app.js'), { url: 'https://example.com/js/app.js.map', via: 'comment' });
+  assert.deepEqual(findSourceMapRef(resp({}), 'x()\n/*# sourceMappingURL=data:application/json;base64,e30= */', 'https://example.com/a.js'), { url: 'data:application/json;base64,e30=', via: 'inline' });
+  assert.equal(findSourceMapRef(resp({}), 'x()', 'https://example.com/a.js'), null);
+});
+
+test('inline, guarded and fetched maps are unpacked into their original files', async () => {
+  const server = http.createServer((req, res) => {
+    if (req.url === '/app.js.map') res.writeHead(200, { 'content-type': 'application/json' }).end(")]}'\n" + JSON.stringify(map));
+    else if (req.url === '/index.js.map') res.writeHead(200).end(JSON.stringify({ version: 3, sections: [{ offset: { line: 0, column: 0 }, map }] }));
+    else res.writeHead(200, { 'content-type': 'text/html' }).end('<html></html>');
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  try {
+    await configureScope({}, [base + '/']);
+    const files = [{ path: '/repo/src/app.ts', content: 'const key = 1;' }, { path: 'webpack:///./node_modules/x.js', content: null }];
+    assert.deepEqual(sourceMapFiles(await fetchSourceMap(base + '/app.js.map')), files);
+    assert.deepEqual(sourceMapFiles(await fetchSourceMap(base + '/index.js.map')), files);
+    assert.deepEqual(sourceMapFiles(await fetchSourceMap('data:application/json;base64,' + Buffer.from(JSON.stringify(map)).toString('base64'))), files);
+    assert.deepEqual(sourceMapFiles(await fetchSourceMap('data:application/json,' + encodeURIComponent(JSON.stringify(map)))), files);
+    assert.equal(await fetchSourceMap(base + '/missing.map'), null);
+  } finally {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  }
+});
+
+test('bodies are capped while they stream, without trusting Content-Length', async () => {
+  let cancelled = false;
+  const stream = new ReadableStream({
+    pull(controller) { controller.enqueue(new Uint8Array(1000).fill(97)); },
+    cancel() { cancelled = true; }
+  });
+  const capped = await readBodyCapped(new Response(stream), 2500);
+  assert.equal(capped.buf.length, 2500);
+  assert.equal(capped.truncated, true);
+  assert.equal(cancelled, true);
+
+  const whole = await readBodyCapped(new Response('{"a":1}'), 2500);
+  assert.deepEqual([whole.buf.toString(), whole.truncated], ['{"a":1}', false]);
+});
@@ -0,0 +1,58 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { configureScope, extractOperations } from '../webuster.js';
+
+// a spec split over several files, each referencing the next relative to itself
+const files = {
+  '/api/paths/users.json': {
+    get: { operationId: 'listUsers', parameters: [{ $ref: '../common/parameters.json#/Limit' }], security: [{ bearer: [] }] },
+    post: { operationId: 'createUser', requestBody: { $ref: '../common/bodies.json#/User' } }
+  },
+  '/api/common/parameters.json': { Limit: { name: 'limit', in: 'query', schema: { $ref: 'schemas.json#/Count' } } },
+  '/api/common/schemas.json': { Count: { type: 'integer', format: 'int32' } },
+  '/api/common/bodies.json': { User: { content: { 'application/json': {}, 'application/xml': {} } } }
+};
+
+test('$refs are resolved locally and across files, relative to the file that holds them', async () => {
+  const requested = [];
+  const server = http.createServer((req, res) => {
+    requested.push(req.url);
+    if (files[req.url]) res.writeHead(200, { 'content-type': 'application/json' }).end(JSON.stringify(files[req.url]));
+    else res.writeHead(404).end();
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  try {
+    await configureScope({}, [base + '/']);
+    const doc = {
+      openapi: '3.0.3',
+      servers: [{ url: '/v{major}', variables: { major: { default: '2' } } }],
+      components: {
+        securitySchemes: { bearer: { $ref: '#/components/x-schemes/jwt' } },
+        'x-schemes': { jwt: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' } },
+        parameters: { Id: { name: 'id', in: 'path', required: true, schema: { type: 'string' } } }
+      },
+      paths: {
+        '/users': { $ref: 'paths/users.json' },
+        '/users/{id}': { parameters: [{ $ref: '#/components/parameters/Id' }], delete: { operationId: 'deleteUser' } },
+        '/loop': { $ref: '#/paths/~1loop' }
+      }
+    };
+    const { servers, securitySchemes, operations } = await extractOperations(doc, base + '/api/openapi.json');
+    assert.deepEqual(servers, [base + '/v2']);
+    assert.deepEqual(securitySchemes, { bearer: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' } });
+    assert.deepEqual(operations.map(o => [o.method, o.path, o.operationId]), [
+      ['GET', '/users', 'listUsers'], ['POST', '/users', 'createUser'], ['DELETE', '/users/{id}', 'deleteUser']
+    ]);
+    assert.deepEqual(operations[0].parameters, [{ name: 'limit', in: 'query', required: false, type: 'integer', format: 'int32', schemaRef: 'Count' }]);
+    assert.deepEqual(operations[0].security, ['bearer']);
+    assert.deepEqual(operations[1].requestBodyTypes, ['application/json', 'application/xml']);
+    assert.deepEqual(operations[2].parameters, [{ name: 'id', in: 'path', required: true, type: 'string' }]);
+    // every external file is fetched once
+    assert.deepEqual(requested.sort(), Object.keys(files).sort());
+  } finally {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  }
+});
@@ -0,0 +1,63 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { resetScanState, configureScope, collectTechSignals, detectTechnologies, techPacks, techPackPaths } from '../webuster.js';
+
+const signals = extra => ({ headers: [], html: '', error: '', cookies: [], scripts: [], generators: [], ...extra });
+const byId = found => Object.fromEntries(found.map(t => [t.id, t]));
+
+test('headers, cookies, markup and the not-found page of a live target are fingerprinted', async () => {
+  const server = http.createServer((req, res) => {
+    if (req.url === '/') {
+      return res.writeHead(200, { 'content-type': 'text/html', 'x-powered-by': 'Express', 'set-cookie': 'connect.sid=s%3Aabc; Path=/' })
+        .end('<html><head><meta content="Hugo 0.120.4" name="generator"><meta name="generator" content="WordPress 6.4.2"></head></html>');
+    }
+    res.writeHead(404, { 'content-type': 'text/html', server: 'nginx/1.25.3' }).end(`<pre>Cannot GET ${req.url}</pre>`);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}/`;
+  try {
+    resetScanState();
+    await configureScope({}, [base]);
+    const collected = await collectTechSignals(base, { discovered: { scriptUrls: [base + '_next/static/chunks/main.js'], workers: [{ url: base + 'sw.js' }] } });
+    assert.deepEqual(collected.cookies, ['connect.sid']);
+    assert.deepEqual(collected.generators, ['Hugo 0.120.4', 'WordPress 6.4.2']);
+    assert.match(collected.error, /^<pre>Cannot GET \/webuster-[0-9a-f]{8}<\/pre>$/);
+
+    const found = byId(detectTechnologies(collected));
+    assert.deepEqual(found.express.evidence, ['header x-powered-by: Express', 'cookie connect.sid', 'not-found page: <pre>Cannot GET /']);
+    assert.equal(found.express.confidence, 0.99);
+    assert.deepEqual([found.nginx.version, found.wordpress.version, found.nextjs.evidence], ['1.25.3', '6.4.2', [`script ${base}_next/static/chunks/main.js`]]);
+    // a generator no signature knows is listed on its own
+    assert.deepEqual(found.generator, { id: 'generator', name: 'Hugo 0.120.4', category: 'generator', version: null, confidence: 0.9, evidence: ['generator Hugo 0.120.4'], pack: null });
+  } finally {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  }
+});
+
+test('the weights of independent signals combine and results are ordered by confidence', () => {
+  const found = detectTechnologies(signals({
+    error: '<h1>Whitelabel Error Page</h1>',
+    cookies: ['JSESSIONID', 'XSRF-TOKEN'],
+    headers: [['x-aspnet-version', '4.0.30319']]
+  }));
+  assert.deepEqual(found.map(t => [t.id, t.confidence, t.version]), [['spring', 0.93, null], ['aspnet', 0.9, '4.0.30319'], ['laravel', 0.2, null]]);
+  assert.deepEqual(detectTechnologies(signals()), []);
+});
+
+test('probe packs follow the confidently recognised stacks', () => {
+  const results = technologies => ({ discovered: { technologies } });
+  const spring = { id: 'spring', category: 'framework', pack: 'spring', confidence: 0.93 };
+  const laravel = { id: 'laravel', category: 'framework', pack: 'laravel', confidence: 0.2 };
+  const nginx = { id: 'nginx', category: 'server', pack: 'nginx', confidence: 0.9 };
+
+  assert.deepEqual(techPacks(results([spring, laravel, nginx]), false), ['spring', 'nginx']);
+  assert.ok(techPacks(results([spring]), true).includes('laravel'));
+  assert.ok(techPackPaths(results([spring, laravel]), 'swagger', false).length > 0);
+  assert.ok(!techPackPaths(results([spring, laravel]), 'config', false).includes('/.env.example'));
+
+  // a web server alone says nothing about the application, so every pack's locations are tried
+  assert.ok(techPackPaths(results([nginx]), 'config', false).includes('/.env.example'));
+  assert.ok(techPackPaths(results([]), 'swagger', false).includes('/api/schema/'));
+});